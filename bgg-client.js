@@ -0,0 +1,307 @@
+/**
+ * BoardGameGeek XML API2 Client
+ *
+ * Parst Such- und Spiel-Antworten ("thing") von BGG mit einem echten XML-Parser
+ * und liefert einheitliche Objekte für Spiele- und Sammlungs-Routen.
+ * Anfragen laufen nacheinander über eine gedrosselte Warteschlange (createBggQueue),
+ * das Zwischenspeichern der Ergebnisse übernimmt ein vom Aufrufer übergebener Cache.
+ */
+
+const fetch = require('node-fetch');
+const { XMLParser } = require('fast-xml-parser');
+
+// WICHTIG: boardgamegeek.com OHNE www (gemäß BGG Richtlinien)
+const BGG_API_URL = 'https://boardgamegeek.com/xmlapi2';
+// BGG beantwortet höchstens 20 IDs pro thing-Anfrage
+const BGG_THING_BATCH_SIZE = 20;
+const BGG_MAX_BACKOFF_MS = 60 * 1000;
+
+// Elemente, die BGG je nach Spiel einmal oder mehrfach liefert, immer als Array lesen
+const ARRAY_TAGS = new Set(['item', 'name', 'link', 'poll', 'results', 'result', 'rank']);
+
+// Entities selbst auflösen: BGG escapet Beschreibungen doppelt (&amp;mdash;, &amp;#10;)
+const parser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '',
+  parseTagValue: false,
+  processEntities: false,
+  isArray: (tagName, jpath, isLeafNode, isAttribute) => !isAttribute && ARRAY_TAGS.has(tagName)
+});
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+  ndash: '–', mdash: '—', hellip: '…', bull: '•', middot: '·', times: '×', deg: '°',
+  lsquo: '‘', rsquo: '’', sbquo: '‚', ldquo: '“', rdquo: '”', bdquo: '„', laquo: '«', raquo: '»',
+  auml: 'ä', ouml: 'ö', uuml: 'ü', Auml: 'Ä', Ouml: 'Ö', Uuml: 'Ü', szlig: 'ß',
+  eacute: 'é', egrave: 'è', ecirc: 'ê', aacute: 'á', agrave: 'à', oacute: 'ó', iacute: 'í', ccedil: 'ç', ntilde: 'ñ',
+  copy: '©', reg: '®', trade: '™', euro: '€'
+};
+
+const decodeEntities = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+  if (code[0] === '#') {
+    const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+    return point > 0 && point <= 0x10ffff ? String.fromCodePoint(point) : entity;
+  }
+  return NAMED_ENTITIES[code] ?? entity;
+});
+
+// Manche Beschreibungen enthalten UTF-8-Bytes als Latin-1-Zeichen ("Ã¤" statt "ä")
+const MOJIBAKE = /[\u00c2-\u00df][\u0080-\u00bf]|[\u00e0-\u00ef][\u0080-\u00bf]{2}|[\u00f0-\u00f4][\u0080-\u00bf]{3}/g;
+
+const fixMojibake = (text) => text.replace(MOJIBAKE, (bytes) => {
+  const repaired = Buffer.from(bytes, 'latin1').toString('utf8');
+  return repaired.includes('\ufffd') ? bytes : repaired;
+});
+
+// Text aus BGG lesbar machen (zweimal dekodieren wegen doppelter Escapes)
+const decodeText = (value) => {
+  if (value === undefined || value === null) return null;
+  return fixMojibake(decodeEntities(decodeEntities(String(value)))).trim();
+};
+
+const toInt = (value) => {
+  const number = parseInt(value, 10);
+  return Number.isNaN(number) ? null : number;
+};
+
+// BGG liefert 0 für "keine Angabe" (Spieldauer, Bewertung, Komplexität)
+const toPositive = (value, digits = null) => {
+  const number = parseFloat(value);
+  if (!(number > 0)) return null;
+  return digits === null ? number : Math.round(number * 10 ** digits) / 10 ** digits;
+};
+
+const attr = (node, name = 'value') => node?.[0]?.[name] ?? node?.[name];
+
+// BGG kennzeichnet die Sprache alternativer Namen nicht – deutsche Titel an Umlauten und typischen Wörtern erkennen
+const GERMAN_NAME = /[äöüßÄÖÜ]|\b(der|die|das|ein|eine|und|von|zum|zur)\b/i;
+
+const parseNames = (names = []) => {
+  const primary = names.find(n => n.type === 'primary') || names[0];
+  const alternateNames = names.filter(n => n !== primary).map(n => decodeText(n.value));
+  return {
+    name: primary ? decodeText(primary.value) : null,
+    alternateNames,
+    germanName: alternateNames.find(n => GERMAN_NAME.test(n)) || null
+  };
+};
+
+// Abstimmung "suggested_numplayers": "Best" gewinnt -> beste Besetzung,
+// Best + Recommended schlagen "Not Recommended" -> empfohlen. Einträge wie "4+" werden ignoriert.
+const parseSuggestedPlayers = (polls = []) => {
+  const poll = polls.find(p => p.name === 'suggested_numplayers');
+  const best = [];
+  const recommended = [];
+
+  for (const results of poll?.results || []) {
+    if (!/^\d+$/.test(results.numplayers)) continue;
+    const votes = (value) => toInt(results.result?.find(r => r.value === value)?.numvotes) || 0;
+    const [bestVotes, recVotes, notVotes] = [votes('Best'), votes('Recommended'), votes('Not Recommended')];
+    if (bestVotes + recVotes + notVotes === 0) continue;
+    const count = toInt(results.numplayers);
+    if (bestVotes >= recVotes && bestVotes > notVotes) best.push(count);
+    if (bestVotes + recVotes > notVotes) recommended.push(count);
+  }
+  return { best, recommended };
+};
+
+const linksOf = (links, type, inbound = false) => links
+  .filter(l => l.type === type && (l.inbound === 'true') === inbound)
+  .map(l => ({ bggId: toInt(l.id), name: decodeText(l.value) }));
+
+// Ein <item> aus thing?id=...&stats=1 in das Format der API umwandeln
+const parseThingItem = (item) => {
+  const links = item.link || [];
+  const ratings = item.statistics?.ratings;
+  const rank = (ratings?.ranks?.rank || []).find(r => r.name === 'boardgame');
+  const suggested = parseSuggestedPlayers(item.poll);
+
+  return {
+    bggId: toInt(item.id),
+    type: item.type,
+    ...parseNames(item.name),
+    year: toInt(attr(item.yearpublished)) || null,
+    minPlayers: toPositive(attr(item.minplayers)),
+    maxPlayers: toPositive(attr(item.maxplayers)),
+    playtime: toPositive(attr(item.playingtime)),
+    minPlaytime: toPositive(attr(item.minplaytime)),
+    maxPlaytime: toPositive(attr(item.maxplaytime)),
+    minAge: toPositive(attr(item.minage)),
+    thumbnail: decodeText(item.thumbnail),
+    image: decodeText(item.image),
+    description: decodeText(item.description),
+    categories: linksOf(links, 'boardgamecategory').map(l => l.name),
+    mechanics: linksOf(links, 'boardgamemechanic').map(l => l.name),
+    designers: linksOf(links, 'boardgamedesigner').map(l => l.name),
+    bestPlayers: suggested.best,
+    recommendedPlayers: suggested.recommended,
+    weight: toPositive(attr(ratings?.averageweight), 2),
+    rating: toPositive(attr(ratings?.average), 2),
+    ratingCount: toInt(attr(ratings?.usersrated)) || 0,
+    rank: toInt(rank?.value),
+    // Bei Grundspielen die Erweiterungen, bei Erweiterungen (inbound) das Grundspiel
+    expansions: linksOf(links, 'boardgameexpansion'),
+    expands: linksOf(links, 'boardgameexpansion', true)
+  };
+};
+
+const itemsOf = (xml) => parser.parse(xml)?.items?.item || [];
+
+// Antwort von search?query=... (nur Einträge mit ID und Namen)
+const parseSearchResults = (xml) => itemsOf(xml)
+  .map(item => ({
+    bggId: toInt(item.id),
+    type: item.type,
+    name: decodeText(attr(item.name)),
+    nameType: attr(item.name, 'type') || null,
+    year: toInt(attr(item.yearpublished)) || null
+  }))
+  .filter(item => item.bggId && item.name);
+
+// Antwort von thing?id=... (ein oder mehrere Spiele)
+const parseThings = (xml) => itemsOf(xml).map(parseThingItem);
+
+// Antwort von collection?username=...; null, wenn BGG den Nutzer nicht kennt (<errors>)
+const parseCollection = (xml) => {
+  const parsed = parser.parse(xml);
+  if (parsed?.errors) return null;
+  return (parsed?.items?.item || [])
+    .map(item => {
+      const stats = item.stats || {};
+      const name = item.name?.[0];
+      return {
+        bggId: toInt(item.objectid),
+        name: decodeText(name?.['#text'] ?? name),
+        year: toInt(item.yearpublished) || null,
+        thumbnail: decodeText(item.thumbnail),
+        image: decodeText(item.image),
+        minPlayers: toPositive(stats.minplayers),
+        maxPlayers: toPositive(stats.maxplayers),
+        playtime: toPositive(stats.playingtime),
+        numPlays: toInt(item.numplays) || 0
+      };
+    })
+    .filter(item => item.bggId && item.name);
+};
+
+const searchUrl = (query, type = 'boardgame') => `${BGG_API_URL}/search?query=${encodeURIComponent(query)}&type=${type}`;
+const thingUrl = (ids) => `${BGG_API_URL}/thing?id=${[].concat(ids).join(',')}&stats=1`;
+// Nur eigene Grundspiele, Erweiterungen landen nicht in der Sammlung
+const collectionUrl = (username) =>
+  `${BGG_API_URL}/collection?username=${encodeURIComponent(username)}&own=1&subtype=boardgame&excludesubtype=boardgameexpansion&stats=1`;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Serielle Warteschlange: zwischen zwei Anfragen liegen mindestens intervalMs.
+// 202 (BGG bereitet die Antwort noch vor), 429 und 5xx werden mit wachsender Wartezeit
+// (oder nach Retry-After) wiederholt; gleiche URLs, die schon warten, teilen sich eine Anfrage.
+const createBggQueue = ({ token = '', intervalMs = 2000, maxRetries = 5, fetchImpl = fetch } = {}) => {
+  const pending = new Map();
+  const stats = { pending: 0, requests: 0, retries: 0, failures: 0, lastError: null, intervalMs };
+  let chain = Promise.resolve();
+  let lastRequestAt = 0;
+
+  const request = async (url) => {
+    for (let attempt = 0; ; attempt++) {
+      const wait = lastRequestAt + intervalMs - Date.now();
+      if (wait > 0) await sleep(wait);
+      lastRequestAt = Date.now();
+      stats.requests++;
+
+      let status;
+      let retryAfter = 0;
+      try {
+        const response = await fetchImpl(url, { headers: token ? { Authorization: `Bearer ${token}` } : {} });
+        if (response.ok && response.status !== 202) return await response.text();
+        status = response.status;
+        retryAfter = (parseInt(response.headers.get('retry-after')) || 0) * 1000;
+      } catch (err) {
+        // Netzwerkfehler wie 5xx behandeln
+        status = err.message;
+      }
+
+      const retryable = typeof status === 'string' || status === 202 || status === 429 || status >= 500;
+      if (!retryable || attempt >= maxRetries) throw new Error(`BGG API Error: ${status}`);
+      stats.retries++;
+      await sleep(Math.min(retryAfter || intervalMs * 2 ** attempt, BGG_MAX_BACKOFF_MS));
+    }
+  };
+
+  const fetchXml = (url) => {
+    if (pending.has(url)) return pending.get(url);
+    stats.pending++;
+    const job = chain.then(() => request(url))
+      .catch(err => {
+        stats.failures++;
+        stats.lastError = err.message;
+        throw err;
+      })
+      .finally(() => {
+        stats.pending--;
+        pending.delete(url);
+      });
+    chain = job.catch(() => {});
+    pending.set(url, job);
+    return job;
+  };
+
+  return { fetchXml, stats };
+};
+
+// Client aus Loader (fetchXml(url) -> XML-Text) und optionalem Cache mit
+// get(keys) -> Map(key -> Daten) und set(resource, [[key, Daten], ...]).
+// Gecacht werden die geparsten Ergebnisse, Spiele einzeln pro ID.
+const createBggClient = ({ fetchXml, cache = null }) => {
+  const search = async (query, type = 'boardgame') => {
+    const key = `search:${type}:${query.trim().toLowerCase()}`;
+    const cached = cache && (await cache.get([key])).get(key);
+    if (cached) return cached;
+    const results = parseSearchResults(await fetchXml(searchUrl(query.trim(), type)));
+    if (cache) await cache.set('search', [[key, results]]);
+    return results;
+  };
+
+  // Fehlende Spiele in Paketen zu 20 IDs nachladen; Reihenfolge wie angefragt
+  const getThings = async (ids) => {
+    const wanted = [...new Set(ids.map(id => parseInt(id)).filter(id => id > 0))];
+    const keys = wanted.map(id => `thing:${id}`);
+    const found = cache ? await cache.get(keys) : new Map();
+    const missing = wanted.filter(id => !found.has(`thing:${id}`));
+
+    for (let i = 0; i < missing.length; i += BGG_THING_BATCH_SIZE) {
+      const things = parseThings(await fetchXml(thingUrl(missing.slice(i, i + BGG_THING_BATCH_SIZE))));
+      const entries = things.map(thing => [`thing:${thing.bggId}`, thing]);
+      entries.forEach(([key, thing]) => found.set(key, thing));
+      if (cache) await cache.set('thing', entries);
+    }
+    return keys.map(key => found.get(key)).filter(Boolean);
+  };
+
+  const getThing = async (id) => (await getThings([id]))[0] || null;
+
+  // BGG stellt Sammlungen erst zusammen und antwortet solange mit 202 – das wiederholt die Warteschlange.
+  // fresh: Cache nicht lesen (Import und Abgleich), das Ergebnis aber für spätere Vorschauen speichern
+  const getCollection = async (username, { fresh = false } = {}) => {
+    const key = `collection:${username.trim().toLowerCase()}`;
+    const cached = cache && !fresh && (await cache.get([key])).get(key);
+    if (cached) return cached;
+    const games = parseCollection(await fetchXml(collectionUrl(username.trim())));
+    if (cache && games) await cache.set('collection', [[key, games]]);
+    return games;
+  };
+
+  return { search, getThings, getThing, getCollection };
+};
+
+module.exports = {
+  BGG_API_URL,
+  createBggClient,
+  createBggQueue,
+  parseSearchResults,
+  parseThings,
+  parseCollection,
+  decodeText,
+  searchUrl,
+  thingUrl,
+  collectionUrl
+};
@@ -0,0 +1,253 @@
+/**
+ * Tests für den BGG-Client gegen aufgezeichnete XML-Antworten (test/fixtures)
+ * und für die Wiederholungslogik der Warteschlange mit eingeschleustem fetch.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const {
+  createBggClient,
+  createBggQueue,
+  parseSearchResults,
+  parseThings,
+  parseCollection,
+  decodeText
+} = require('../bgg-client');
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+
+// ==================== PARSER ====================
+
+test('parseSearchResults liest ID, Name, Namensart und Jahr', () => {
+  assert.deepEqual(parseSearchResults(fixture('bgg-search.xml')), [
+    { bggId: 13, type: 'boardgame', name: 'CATAN', nameType: 'primary', year: 1995 },
+    { bggId: 27710, type: 'boardgame', name: 'Die Siedler von Catan: Das Würfelspiel', nameType: 'alternate', year: 2007 },
+    { bggId: 400000, type: 'boardgame', name: 'Catan & Friends', nameType: 'primary', year: null }
+  ]);
+});
+
+test('parseSearchResults liefert bei leerer Antwort eine leere Liste', () => {
+  assert.deepEqual(parseSearchResults('<?xml version="1.0" encoding="utf-8"?><items total="0"></items>'), []);
+});
+
+test('parseThings liest Grundspiel mit Abstimmung, Rang und Links', () => {
+  const [catan] = parseThings(fixture('bgg-thing.xml'));
+
+  assert.equal(catan.bggId, 13);
+  assert.equal(catan.type, 'boardgame');
+  assert.equal(catan.name, 'CATAN');
+  assert.deepEqual(catan.alternateNames, ['Catan: Das Spiel', 'Colonos de Catán', 'Die Siedler von Catan']);
+  assert.equal(catan.germanName, 'Catan: Das Spiel');
+  assert.equal(catan.year, 1995);
+  assert.equal(catan.minPlayers, 3);
+  assert.equal(catan.maxPlayers, 4);
+  assert.equal(catan.playtime, 120);
+  assert.equal(catan.minPlaytime, 60);
+  assert.equal(catan.maxPlaytime, 120);
+  assert.equal(catan.minAge, 10);
+  assert.equal(catan.thumbnail, 'https://cf.geekdo-images.com/thumb/img/catan.jpg');
+  assert.deepEqual(catan.categories, ['Economic', 'Negotiation']);
+  assert.deepEqual(catan.mechanics, ['Dice Rolling', 'Set Collection']);
+  assert.deepEqual(catan.designers, ['Klaus Teuber']);
+  // "4+" zählt nicht, 1 und 2 Spieler sind mehrheitlich "Not Recommended"
+  assert.deepEqual(catan.bestPlayers, [4]);
+  assert.deepEqual(catan.recommendedPlayers, [3, 4]);
+  assert.equal(catan.weight, 2.29);
+  assert.equal(catan.rating, 7.1);
+  assert.equal(catan.ratingCount, 123456);
+  assert.equal(catan.rank, 556);
+  assert.deepEqual(catan.expansions, [
+    { bggId: 926, name: 'CATAN: 5-6 Player Extension' },
+    { bggId: 325, name: 'CATAN: Seafarers' }
+  ]);
+  assert.deepEqual(catan.expands, []);
+});
+
+test('parseThings löst doppelte Escapes und Mojibake in der Beschreibung auf', () => {
+  const [catan] = parseThings(fixture('bgg-thing.xml'));
+
+  assert.equal(catan.description,
+    'In CATAN, players try to be the dominant force on the island of Catan by building settlements, cities, and roads.\n\n' +
+    'Klaus Teuber’s Klassiker — für 3–4 Spieler. Grüne Insel, schärfere Regeln.');
+});
+
+test('parseThings liest Erweiterung mit Grundspiel und ohne Angaben', () => {
+  const [, extension] = parseThings(fixture('bgg-thing.xml'));
+
+  assert.equal(extension.type, 'boardgameexpansion');
+  assert.equal(extension.description, 'Ergänzung für 5 & 6 Spieler.');
+  assert.deepEqual(extension.alternateNames, []);
+  assert.equal(extension.germanName, null);
+  // BGG liefert 0 bzw. "Not Ranked" für fehlende Werte
+  assert.equal(extension.playtime, null);
+  assert.equal(extension.minAge, null);
+  assert.equal(extension.weight, null);
+  assert.equal(extension.rating, null);
+  assert.equal(extension.ratingCount, 0);
+  assert.equal(extension.rank, null);
+  assert.deepEqual(extension.bestPlayers, []);
+  assert.deepEqual(extension.expansions, []);
+  assert.deepEqual(extension.expands, [{ bggId: 13, name: 'CATAN' }]);
+});
+
+test('parseCollection liest eigene Spiele mit Partien', () => {
+  assert.deepEqual(parseCollection(fixture('bgg-collection.xml')), [
+    {
+      bggId: 13,
+      name: 'CATAN',
+      year: 1995,
+      thumbnail: 'https://cf.geekdo-images.com/thumb/img/catan.jpg',
+      image: 'https://cf.geekdo-images.com/original/img/catan.jpg',
+      minPlayers: 3,
+      maxPlayers: 4,
+      playtime: 120,
+      numPlays: 17
+    },
+    {
+      bggId: 68448,
+      name: '7 Wonders & Friends',
+      year: null,
+      thumbnail: null,
+      image: null,
+      minPlayers: 2,
+      maxPlayers: 7,
+      playtime: null,
+      numPlays: 0
+    }
+  ]);
+});
+
+test('parseCollection liefert null bei unbekanntem Nutzer (<errors>)', () => {
+  assert.equal(parseCollection(fixture('bgg-collection-error.xml')), null);
+});
+
+test('decodeText dekodiert doppelt escapte Entities', () => {
+  assert.equal(decodeText('Zeile 1&amp;#10;Zeile 2'), 'Zeile 1\nZeile 2');
+  assert.equal(decodeText('A &amp;mdash; B &amp;amp; C'), 'A — B & C');
+  assert.equal(decodeText('&amp;#x2013; &amp;auml; &#228;'), '– ä ä');
+});
+
+test('decodeText repariert Mojibake und lässt Unbekanntes stehen', () => {
+  assert.equal(decodeText('fÃ¼r schÃ¤rfere WÃ¼rfel'), 'für schärfere Würfel');
+  assert.equal(decodeText('Größe bleibt'), 'Größe bleibt');
+  assert.equal(decodeText('&unbekannt; bleibt'), '&unbekannt; bleibt');
+});
+
+test('decodeText kürzt Leerraum und gibt für fehlende Werte null zurück', () => {
+  assert.equal(decodeText('  Catan \n'), 'Catan');
+  assert.equal(decodeText(undefined), null);
+  assert.equal(decodeText(null), null);
+});
+
+// ==================== WARTESCHLANGE ====================
+
+// Antwortobjekt wie von node-fetch
+const response = (status, body = '', headers = {}) => ({
+  status,
+  ok: status >= 200 && status < 300,
+  text: async () => body,
+  headers: { get: (name) => headers[name.toLowerCase()] ?? null }
+});
+
+const fakeFetch = (responses) => {
+  const calls = [];
+  const fetchImpl = async (url, options) => {
+    calls.push({ url, options });
+    const next = responses.shift();
+    if (next instanceof Error) throw next;
+    return next;
+  };
+  return { fetchImpl, calls };
+};
+
+test('createBggQueue wiederholt 202, 429 und 5xx bis zur Antwort', async () => {
+  const { fetchImpl, calls } = fakeFetch([
+    response(202),
+    response(429, '', { 'retry-after': '0' }),
+    response(500),
+    response(503),
+    response(200, '<items/>')
+  ]);
+  const queue = createBggQueue({ token: 'geheim', intervalMs: 1, maxRetries: 5, fetchImpl });
+
+  assert.equal(await queue.fetchXml('https://bgg.test/thing?id=13'), '<items/>');
+  assert.equal(calls.length, 5);
+  assert.ok(calls.every(call => call.url === 'https://bgg.test/thing?id=13'));
+  assert.equal(calls[0].options.headers.Authorization, 'Bearer geheim');
+  assert.equal(queue.stats.requests, 5);
+  assert.equal(queue.stats.retries, 4);
+  assert.equal(queue.stats.failures, 0);
+  assert.equal(queue.stats.pending, 0);
+});
+
+test('createBggQueue wiederholt Netzwerkfehler', async () => {
+  const { fetchImpl, calls } = fakeFetch([new Error('ECONNRESET'), response(200, '<items/>')]);
+  const queue = createBggQueue({ intervalMs: 1, fetchImpl });
+
+  assert.equal(await queue.fetchXml('https://bgg.test/search'), '<items/>');
+  assert.equal(calls.length, 2);
+  assert.deepEqual(calls[0].options.headers, {});
+});
+
+test('createBggQueue gibt nach maxRetries auf', async () => {
+  const { fetchImpl, calls } = fakeFetch([response(202), response(202), response(202)]);
+  const queue = createBggQueue({ intervalMs: 1, maxRetries: 2, fetchImpl });
+
+  await assert.rejects(queue.fetchXml('https://bgg.test/collection'), /BGG API Error: 202/);
+  assert.equal(calls.length, 3);
+  assert.equal(queue.stats.failures, 1);
+  assert.equal(queue.stats.lastError, 'BGG API Error: 202');
+});
+
+test('createBggQueue wiederholt 4xx-Fehler nicht', async () => {
+  const { fetchImpl, calls } = fakeFetch([response(404), response(200, '<items/>')]);
+  const queue = createBggQueue({ intervalMs: 1, fetchImpl });
+
+  await assert.rejects(queue.fetchXml('https://bgg.test/thing?id=0'), /BGG API Error: 404/);
+  assert.equal(calls.length, 1);
+});
+
+test('createBggQueue teilt wartende Anfragen an dieselbe URL', async () => {
+  const { fetchImpl, calls } = fakeFetch([response(200, '<a/>'), response(200, '<b/>')]);
+  const queue = createBggQueue({ intervalMs: 1, fetchImpl });
+
+  const [first, second, other] = await Promise.all([
+    queue.fetchXml('https://bgg.test/a'),
+    queue.fetchXml('https://bgg.test/a'),
+    queue.fetchXml('https://bgg.test/b')
+  ]);
+  assert.equal(first, '<a/>');
+  assert.equal(second, '<a/>');
+  assert.equal(other, '<b/>');
+  assert.equal(calls.length, 2);
+});
+
+// ==================== CACHE ====================
+
+// Cache wie bgg_cache im Server, nur im Speicher
+const memoryCache = () => {
+  const entries = new Map();
+  return {
+    get: async (keys) => new Map(keys.filter(key => entries.has(key)).map(key => [key, entries.get(key)])),
+    set: async (kind, pairs) => pairs.forEach(([key, value]) => entries.set(key, value))
+  };
+};
+
+test('getCollection liest mit fresh nicht aus dem Cache, speichert aber das Ergebnis', async () => {
+  const urls = [];
+  const client = createBggClient({
+    fetchXml: async (url) => { urls.push(url); return fixture('bgg-collection.xml'); },
+    cache: memoryCache()
+  });
+
+  const first = await client.getCollection('Annab');
+  assert.deepEqual(await client.getCollection('annab'), first);
+  assert.equal(urls.length, 1);
+
+  assert.deepEqual(await client.getCollection('annab', { fresh: true }), first);
+  assert.equal(urls.length, 2);
+  await client.getCollection('annab');
+  assert.equal(urls.length, 2);
+});